@@ -18,7 +18,15 @@
  * 
  * 保证响应式属性变化时，响应式属性都能收集到最新的依赖
  * 
+ * 基于位标记的依赖收集中，执行前不再cleanup，而是给deps里的set打上标记，执行后只移除本次没有再读取的set
+ * 
  * @property { TEffectOptions } options 副作用函数的配置
+ * @property { boolean } active 是否处于激活状态，调用stop停止后为false，不再被派发更新执行
+ * @property { number } id 自增id，作为任务放入调度器队列时，按id从小到大执行
+ * @property { boolean } deferStop 在执行中被停止时为true，执行完毕后再移除全部依赖
+ * @property { string } debugName 在依赖关系图中展示的名称，取自配置的name或业务函数的函数名
+ * @property { 'effect' | 'computed' | 'asyncComputed' | 'watch' | 'watchEffect' } kind 副作用函数的类型，开启config.devtools时才会记录
+ * @property { TRef } computed 计算属性的副作用函数才有，指向计算属性本身，开启config.devtools时才会记录
  */
 
 /**
@@ -26,13 +34,38 @@
  * @typedef TEffectOptions
  * @property { boolean } lazy 是否懒执行
  * @property { Function } scheduler 调度任务
+ * @property { Function } onStop 副作用函数被stop停止时的回调
+ * @property { (event: TDebuggerEvent) => void } onTrack 调试钩子，副作用函数与响应式属性建立联系时执行
+ * @property { (event: TDebuggerEvent) => void } onTrigger 调试钩子，响应式属性变化导致副作用函数执行时执行
+ * @property { (event: TDebuggerEvent) => void } onChange 内部钩子，执行时机与onTrigger相同，watchChanges通过它记录变化
+ * @property { string } name 在依赖关系图中展示的名称
+ * @property { boolean } allowRecurse 是否允许副作用函数在执行中被自身修改的属性再次触发，默认跳过并给出警告
+ */
+
+/**
+ * 调试钩子的事件
+ * @typedef TDebuggerEvent
+ * @property { TEffect } effect 副作用函数
+ * @property { Object } target 原始对象
+ * @property { string | symbol } key 属性
+ * @property { string } type 操作类型，onTrack为get、has、iterate，onTrigger为SET、ADD、DELETE、CLEAR
+ * @property { any } newValue 新值，仅onTrigger有
+ * @property { any } oldValue 旧值，仅onTrigger有
  */
 
 /**
  * 存储副作用函数的set
  * 
  * 结构：Set<副作用函数>
- * @typedef { Set<TEffect> } TDeps
+ * 
+ * 基于位标记的依赖收集中，set上还会挂载两个标记，每个二进制位对应一层副作用函数嵌套
+ * 
+ * w：上一次执行收集过该属性的层级
+ * 
+ * n：本次执行收集到该属性的层级
+ * 
+ * 开启config.devtools时，还会记下set所属的对象target与属性key，用于查看依赖关系。副作用函数的deps持有set，对象在副作用函数停止前不会被回收
+ * @typedef { Set<TEffect> & { w?: number, n?: number, target?: Object, key?: string | symbol } } TDeps
  */
 
 /**
@@ -52,3 +85,81 @@
  * 结构：响应式对象——依赖map
  * @typedef { WeakMap.<Object, TDepsMap> } TBucket
  */
+
+/**
+ * ref对象
+ * 
+ * 通过.value读写持有的值，读取时进行依赖收集，设置时派发更新
+ * @typedef TRef
+ * @property { any } value 持有的值
+ */
+
+/**
+ * 异步计算属性
+ * 
+ * 三个状态都是只读的，读取时进行依赖收集，首次读取任意一个状态时才开始计算
+ * @typedef TAsyncComputed
+ * @property { any } value 最近一次成功的计算结果，第一次计算完成前为initialValue
+ * @property { boolean } pending 是否正在计算
+ * @property { any } error 最近一次计算的错误，成功时为null
+ */
+
+/**
+ * 作用域
+ * 
+ * 在作用域的run方法内创建的副作用函数（effect、computed、watch）都会被收集到effects中，调用stop可以一起停止
+ * @typedef TEffectScope
+ * @property { boolean } active 是否处于激活状态，调用stop后为false
+ * @property { Array<TEffect> } effects 作用域内创建的副作用函数
+ * @property { Array<Function> } cleanups onScopeDispose注册的回调，作用域停止时执行
+ * @property { Array<TEffectScope> } scopes 子作用域，父作用域停止时，子作用域也会停止
+ * @property { TEffectScope } parent 父作用域，独立作用域没有父作用域
+ * @property { (fn: Function) => any } run 在作用域内执行函数
+ * @property { (fromParent?: boolean) => void } stop 停止作用域
+ */
+
+/**
+ * watch配置
+ * @typedef TWatchOptions
+ * @property { boolean } immediate 是否马上执行一次回调
+ * @property { boolean | number } deep 是否深度观察，为数字时表示观察的层数。观察目标为响应式对象时默认深度观察
+ * @property { boolean } once 是否只执行一次回调，执行后自动停止观察
+ * @property { 'pre' | 'post' | 'sync' } flush 回调的执行时机，默认为pre
+ * 
+ * pre：在队列中执行，同步代码里多次修改只执行一次
+ * 
+ * post：在pre任务全部执行完后执行
+ * 
+ * sync：观察目标变化时同步执行
+ * @property { (event: TDebuggerEvent) => void } onTrack 调试钩子，同副作用函数配置
+ * @property { (event: TDebuggerEvent) => void } onTrigger 调试钩子，同副作用函数配置
+ * @property { string } name 在依赖关系图中展示的名称，默认使用观察目标或回调的函数名
+ */
+
+/**
+ * watchChanges的变化记录
+ * @typedef TWatchChangeRecord
+ * @property { Array<any> } path 发生变化的属性相对于观察目标的路径，数组的索引为数字，例如 ['user', 'addresses', 2, 'zip']
+ * @property { string } type 操作类型，SET、ADD、DELETE、CLEAR
+ * @property { any } newValue 新值
+ * @property { any } oldValue 旧值
+ */
+
+/**
+ * 调度器任务
+ * 
+ * 放入调度器队列中等待执行的函数，副作用函数本身也可以作为任务
+ * @typedef { Function } TSchedulerJob
+ * @property { number } id 任务id，任务队列按id从小到大执行，没有id的任务排在最后
+ * @property { boolean } active 为false时，任务会被跳过
+ * @property { boolean } allowRecurse 是否允许任务在执行时再次入队
+ */
+
+/**
+ * 依赖关系图
+ * 
+ * 节点分为副作用函数与对象属性，边由对象属性指向依赖它的副作用函数，计算属性的副作用函数指向计算属性的value
+ * @typedef TDependencyGraph
+ * @property { Array<{ id: string, type: 'key' | 'effect' | 'computed' | 'asyncComputed' | 'watch' | 'watchEffect', label: string }> } nodes 节点
+ * @property { Array<{ from: string, to: string }> } edges 边
+ */
@@ -0,0 +1,968 @@
+/**
+ * 储存副作用函数的桶
+ * @type { TBucket }
+ */
+const bucket = new WeakMap()
+
+/**
+ * 代理对象上的特殊属性
+ */
+const ReactiveFlags = {
+    //  通过代理对象读取此属性，可以拿到原始对象
+    RAW: '__v_raw'
+}
+
+/**
+ * 派发更新的操作类型
+ */
+const TriggerType = {
+    //  修改已有的属性
+    SET: 'SET',
+    //  新增属性
+    ADD: 'ADD',
+    //  删除属性
+    DELETE: 'DELETE',
+    //  清空集合
+    CLEAR: 'CLEAR'
+}
+
+/**
+ * 遍历操作依赖收集时使用的key
+ *
+ * forEach、size 等操作与某个具体的键无关，而是与元素的增删有关，所以使用一个唯一的symbol
+ */
+const ITERATE_KEY = Symbol('iterate')
+
+/**
+ * Map.prototype.keys 依赖收集时使用的key
+ *
+ * keys 只关心键的增删，修改Map已有键的值时，不需要执行它的副作用函数
+ */
+const MAP_KEY_ITERATE_KEY = Symbol('Map key iterate')
+
+/**
+ * 实例数据
+ */
+const data = {
+    showNameFirst: true,
+    name: 'august',
+    age: 25,
+    user: {
+        name: 'august',
+        address: {
+            city: 'guangzhou'
+        }
+    }
+}
+
+/**
+ * 原始对象与响应式对象的映射
+ *
+ * 结构：原始对象——代理对象
+ *
+ * 同一个原始对象多次调用reactive，得到的都是同一个代理对象
+ * @type { WeakMap<Object, Object> }
+ */
+const reactiveMap = new WeakMap()
+
+/**
+ * 原始对象与浅响应对象的映射
+ * @type { WeakMap<Object, Object> }
+ */
+const shallowReactiveMap = new WeakMap()
+
+/**
+ * 原始对象与只读对象的映射
+ * @type { WeakMap<Object, Object> }
+ */
+const readonlyMap = new WeakMap()
+
+/**
+ * 原始对象与浅只读对象的映射
+ * @type { WeakMap<Object, Object> }
+ */
+const shallowReadonlyMap = new WeakMap()
+
+/**
+ * 创建对象的响应式代理
+ * @param { Object } target 原始对象
+ * @returns { Object } 代理对象
+ */
+function reactive(target) {
+    return createReactive(target, false, false, reactiveMap)
+}
+
+/**
+ * 创建对象的浅响应代理，只有第一层属性是响应式的
+ * @param { Object } target 原始对象
+ * @returns { Object } 代理对象
+ */
+function shallowReactive(target) {
+    return createReactive(target, true, false, shallowReactiveMap)
+}
+
+/**
+ * 创建对象的只读代理，深层的属性也是只读的
+ * @param { Object } target 原始对象
+ * @returns { Object } 代理对象
+ */
+function readonly(target) {
+    return createReactive(target, false, true, readonlyMap)
+}
+
+/**
+ * 创建对象的浅只读代理，只有第一层属性是只读的
+ * @param { Object } target 原始对象
+ * @returns { Object } 代理对象
+ */
+function shallowReadonly(target) {
+    return createReactive(target, true, true, shallowReadonlyMap)
+}
+
+/**
+ * 创建代理对象，reactive、shallowReactive、readonly、shallowReadonly 都由此函数创建
+ * @param { Object } target 原始对象
+ * @param { boolean } isShallow 是否浅响应
+ * @param { boolean } isReadonly 是否只读
+ * @param { WeakMap<Object, Object> } proxyMap 缓存代理对象的映射
+ * @returns { Object } 代理对象
+ */
+function createReactive(target, isShallow, isReadonly, proxyMap) {
+    //  只有对象才能被代理，原始值直接返回
+    if (typeof target !== 'object' || target === null) {
+        console.warn(`${ isReadonly ? 'readonly' : 'reactive' }只能代理对象，无法代理：${ String(target) }`)
+        return target
+    }
+
+    //  该对象已经创建过同类型的代理，直接返回缓存的代理对象
+    const existingProxy = proxyMap.get(target)
+    if (existingProxy) {
+        return existingProxy
+    }
+
+    //  集合类型的读写通过方法完成，需要使用单独的拦截函数
+    const handlers = isCollection(target)
+        ? createCollectionHandlers(isShallow, isReadonly)
+        : createBaseHandlers(isShallow, isReadonly)
+
+    const proxy = new Proxy(target, handlers)
+
+    proxyMap.set(target, proxy)
+
+    return proxy
+}
+
+/**
+ * 创建普通对象的代理拦截函数
+ * @param { boolean } isShallow 是否浅响应
+ * @param { boolean } isReadonly 是否只读
+ * @returns { ProxyHandler<Object> }
+ */
+function createBaseHandlers(isShallow, isReadonly) {
+    return {
+        get(target, key, receiver) {
+            //  通过代理对象访问原始对象
+            if (key === ReactiveFlags.RAW) {
+                return target
+            }
+
+            //  数组的 includes、push 等方法，返回重写过的方法
+            if (Array.isArray(target) && arrayInstrumentations.hasOwnProperty(key)) {
+                return Reflect.get(arrayInstrumentations, key, receiver)
+            }
+
+            //  只读对象的属性不会被修改，也就没必要进行依赖收集
+            //  for...of 遍历数组时会读取 Symbol.iterator 等symbol属性，这些属性无需进行依赖收集
+            if (!isReadonly && typeof key !== 'symbol') {
+                //  该对象的属性被读取时，进行依赖收集
+                track(target, key)
+            }
+
+            const res = target[key]
+
+            //  浅响应/浅只读，直接返回属性值
+            if (isShallow) {
+                return res
+            }
+
+            //  属性值是对象时，在读取时才将其转为响应式对象（懒代理）
+            //  这样 _data.user.name 这样的深层读取也能进行依赖收集
+            if (typeof res === 'object' && res !== null) {
+                return isReadonly ? readonly(res) : reactive(res)
+            }
+
+            //  返回属性值
+            return res
+        },
+        set(target, key, newVal) {
+            //  只读对象，拒绝修改并给出警告
+            if (isReadonly) {
+                console.warn(`属性 ${ String(key) } 是只读的`)
+                return true
+            }
+
+            //  数组设置的索引小于数组长度，说明是修改已有元素，否则是新增元素
+            const type = Array.isArray(target) && isIntegerKey(key)
+                ? Number(key) < target.length ? TriggerType.SET : TriggerType.ADD
+                : TriggerType.SET
+
+            //  该对象的属性被修改时，设置属性值
+            target[key] = newVal
+            //  对象属性值发生变化，执行副作用函数
+            trigger(target, key, type, newVal)
+
+            //  push 等数组方法内部以严格模式设置属性，set 返回 false 会抛出TypeError
+            return true
+        }
+    }
+}
+
+/**
+ * 判断属性是否为数组索引
+ * @param { string | symbol } key
+ * @returns { boolean }
+ */
+function isIntegerKey(key) {
+    return typeof key === 'string' && key !== 'NaN' && key[0] !== '-' && String(parseInt(key, 10)) === key
+}
+
+/**
+ * 重写的数组方法
+ */
+const arrayInstrumentations = {}
+
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+    const originMethod = Array.prototype[method]
+    arrayInstrumentations[method] = function (...args) {
+        //  this是代理对象，先在代理对象中查找，数组元素是对象时，找到的是元素的代理对象
+        let res = originMethod.apply(this, args)
+
+        //  找不到时，拿原始数组再查找一遍，这样 arr.includes(原始对象) 也能找到
+        if (res === false || res === -1) {
+            res = originMethod.apply(this[ReactiveFlags.RAW], args)
+        }
+
+        return res
+    }
+})
+
+;['push', 'pop', 'shift', 'unshift', 'splice'].forEach(method => {
+    const originMethod = Array.prototype[method]
+    arrayInstrumentations[method] = function (...args) {
+        //  这些方法会隐式读取length属性，如果进行依赖收集
+        //  两个副作用函数同时往一个数组push时，会互相触发对方，导致栈溢出
+        pauseTracking()
+        const res = originMethod.apply(this, args)
+        resetTracking()
+
+        return res
+    }
+})
+
+/**
+ * 判断对象是否为集合类型
+ * @param { Object } target
+ * @returns { boolean }
+ */
+function isCollection(target) {
+    return target instanceof Map || target instanceof Set || target instanceof WeakMap || target instanceof WeakSet
+}
+
+/**
+ * 创建集合类型（Map、Set、WeakMap、WeakSet）的代理拦截函数
+ *
+ * 集合的读写都是通过方法调用完成的，方法内部访问的是内部槽，set拦截不到
+ * 所以只拦截get，返回重写过的方法，在方法里进行依赖收集和派发更新
+ * @param { boolean } isShallow 是否浅响应
+ * @param { boolean } isReadonly 是否只读
+ * @returns { ProxyHandler<Object> }
+ */
+function createCollectionHandlers(isShallow, isReadonly) {
+    const instrumentations = createCollectionInstrumentations(isShallow, isReadonly)
+
+    return {
+        get(target, key, receiver) {
+            //  通过代理对象访问原始对象
+            if (key === ReactiveFlags.RAW) {
+                return target
+            }
+
+            //  size是访问器属性，内部会访问内部槽，必须以原始对象作为this读取
+            //  新增、删除元素都会影响size，所以与ITERATE_KEY建立联系
+            if (key === 'size') {
+                if (!isReadonly) {
+                    track(target, ITERATE_KEY)
+                }
+                return Reflect.get(target, key, target)
+            }
+
+            //  集合自身存在的方法，返回重写过的方法
+            if (instrumentations.hasOwnProperty(key) && key in target) {
+                return instrumentations[key]
+            }
+
+            return Reflect.get(target, key, receiver)
+        }
+    }
+}
+
+/**
+ * 创建重写的集合方法
+ *
+ * 方法内的this是代理对象，通过this[ReactiveFlags.RAW]拿到原始集合进行操作
+ * @param { boolean } isShallow 是否浅响应
+ * @param { boolean } isReadonly 是否只读
+ * @returns { Object }
+ */
+function createCollectionInstrumentations(isShallow, isReadonly) {
+    /**
+     * 将读取到的值包装为响应式的值
+     * @param { any } value
+     * @returns { any }
+     */
+    const wrap = value => {
+        if (isShallow || typeof value !== 'object' || value === null) {
+            return value
+        }
+        return isReadonly ? readonly(value) : reactive(value)
+    }
+
+    /**
+     * 获取代理对象的原始对象，避免将代理对象存入原始集合中，污染原始数据
+     * @param { any } value
+     * @returns { any }
+     */
+    const toRawValue = value => (value && value[ReactiveFlags.RAW]) || value
+
+    /**
+     * 创建返回迭代器的方法：keys、values、entries、Symbol.iterator
+     * @param { string | symbol } method
+     * @returns { Function }
+     */
+    const createIterableMethod = method => function (...args) {
+        const target = this[ReactiveFlags.RAW]
+        const targetIsMap = target instanceof Map
+        //  entries 与 Map 的 for...of，迭代出的是[key, value]
+        const isPair = method === 'entries' || (method === Symbol.iterator && targetIsMap)
+        //  Map 的 keys 只关心键的增删，与值的修改无关
+        const isKeyOnly = method === 'keys' && targetIsMap
+        const innerIterator = target[method](...args)
+
+        if (!isReadonly) {
+            track(target, isKeyOnly ? MAP_KEY_ITERATE_KEY : ITERATE_KEY)
+        }
+
+        //  返回自定义的迭代器，迭代出的值同样需要包装为响应式的值
+        return {
+            next() {
+                const { value, done } = innerIterator.next()
+                return done
+                    ? { value, done }
+                    : {
+                        value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value),
+                        done
+                    }
+            },
+            //  实现可迭代协议，使 for...of 可以遍历此迭代器
+            [Symbol.iterator]() {
+                return this
+            }
+        }
+    }
+
+    /**
+     * 创建只读集合的修改方法
+     * @param { string } type 操作类型
+     * @returns { Function }
+     */
+    const createReadonlyMethod = type => function () {
+        console.warn(`${ type } 操作失败，集合是只读的`)
+        return type === TriggerType.DELETE ? false : this
+    }
+
+    const instrumentations = {
+        get(key) {
+            const target = this[ReactiveFlags.RAW]
+            const rawKey = toRawValue(key)
+            if (!isReadonly) {
+                track(target, rawKey)
+            }
+            return wrap(target.get(rawKey))
+        },
+        has(key) {
+            const target = this[ReactiveFlags.RAW]
+            const rawKey = toRawValue(key)
+            if (!isReadonly) {
+                track(target, rawKey)
+            }
+            return target.has(rawKey)
+        },
+        forEach(callback, thisArg) {
+            const target = this[ReactiveFlags.RAW]
+            //  遍历操作与ITERATE_KEY建立联系
+            if (!isReadonly) {
+                track(target, ITERATE_KEY)
+            }
+            target.forEach((value, key) => {
+                //  传给回调的参数也需要包装为响应式的值，第三个参数是代理对象
+                callback.call(thisArg, wrap(value), wrap(key), this)
+            })
+        },
+        keys: createIterableMethod('keys'),
+        values: createIterableMethod('values'),
+        entries: createIterableMethod('entries'),
+        [Symbol.iterator]: createIterableMethod(Symbol.iterator)
+    }
+
+    if (isReadonly) {
+        instrumentations.add = createReadonlyMethod(TriggerType.ADD)
+        instrumentations.set = createReadonlyMethod(TriggerType.SET)
+        instrumentations.delete = createReadonlyMethod(TriggerType.DELETE)
+        instrumentations.clear = createReadonlyMethod(TriggerType.CLEAR)
+
+        return instrumentations
+    }
+
+    instrumentations.add = function (value) {
+        const target = this[ReactiveFlags.RAW]
+        const rawValue = toRawValue(value)
+        //  元素已存在时，添加不会产生任何变化
+        if (!target.has(rawValue)) {
+            target.add(rawValue)
+            trigger(target, rawValue, TriggerType.ADD, rawValue)
+        }
+        return this
+    }
+
+    instrumentations.set = function (key, value) {
+        const target = this[ReactiveFlags.RAW]
+        const rawKey = toRawValue(key)
+        const rawValue = toRawValue(value)
+        const hadKey = target.has(rawKey)
+        const oldValue = target.get(rawKey)
+
+        target.set(rawKey, rawValue)
+
+        //  键不存在是新增，存在且值有变化是修改
+        if (!hadKey) {
+            trigger(target, rawKey, TriggerType.ADD, rawValue)
+        }
+        else if (oldValue !== rawValue) {
+            trigger(target, rawKey, TriggerType.SET, rawValue)
+        }
+        return this
+    }
+
+    instrumentations.delete = function (key) {
+        const target = this[ReactiveFlags.RAW]
+        const rawKey = toRawValue(key)
+        const hadKey = target.has(rawKey)
+        const res = target.delete(rawKey)
+
+        //  删除存在的元素才需要派发更新
+        if (hadKey) {
+            trigger(target, rawKey, TriggerType.DELETE)
+        }
+        return res
+    }
+
+    instrumentations.clear = function () {
+        const target = this[ReactiveFlags.RAW]
+        const hadItems = target.size !== 0
+        const res = target.clear()
+
+        //  清空了元素，集合的所有副作用函数都需要执行
+        if (hadItems) {
+            trigger(target, undefined, TriggerType.CLEAR)
+        }
+        return res
+    }
+
+    return instrumentations
+}
+
+/**
+ * 对象进行响应式处理
+ */
+const _data = reactive(data)
+
+/**
+ * 对已劫持对象的某个属性进行依赖收集
+ * @param { object } target 目标对象
+ * @param { string } key 对象属性
+ */
+function track(target, key) {
+    //  如没有正在运行中的effect，或依赖收集被暂停，说明并不需要收集
+    if (!activeEffect || !shouldTrack) {
+        return
+    }
+
+    /**
+     * 依赖Map
+     * @type { TDepsMap }
+     */
+    let depsMap = bucket.get(target)
+    if (!depsMap) {
+        depsMap = new Map()
+        bucket.set(target, depsMap)
+    }
+
+    /**
+     * 副作用函数set
+     * @type { TDeps }
+     */
+    let deps = depsMap.get(key)
+    if (!deps) {
+        deps = new Set()
+        depsMap.set(key, deps)
+    }
+
+    //  属性的更新队列添加副作用函数
+    deps.add(activeEffect)
+    //  给副作用函数的deps数组推入deps，这样副作用函数每次执行的时候都能调用cleanup清空属性的依赖
+    activeEffect.deps.push(deps)
+}
+
+/**
+ * 执行某个属性的全部副作用函数
+ * @param { object } target 目标对象
+ * @param { string } key 对象属性
+ * @param { string } type 操作类型
+ * @param { any } newVal 新值
+ */
+function trigger(target, key, type, newVal) {
+    //  如该对象没有依赖Map，说明未曾依赖收集过，直接返回
+    const depsMap = bucket.get(target)
+    if (!depsMap) {
+        return
+    }
+
+    /**
+     * 关键操作，必须使用一个新的Set
+     * 因为后续effectFn依赖收集，会对同一个属性进行delete和add。会让原先set的forEach产生无限循环
+     */
+    const newSetArr = new Set()
+
+    /**
+     * 将副作用函数添加到待执行的set
+     * @param { TDeps } deps
+     */
+    const add = deps => {
+        if (deps) {
+            deps.forEach(effectFn => newSetArr.add(effectFn))
+        }
+    }
+
+    //  清空集合，集合的所有副作用函数都需要执行
+    if (type === TriggerType.CLEAR) {
+        depsMap.forEach(add)
+    }
+    //  属性本身的副作用函数
+    else {
+        add(depsMap.get(key))
+    }
+
+    //  集合新增、删除元素，会影响 size、forEach、for...of 等遍历操作
+    if (isCollection(target)) {
+        const isMap = target instanceof Map
+        if (type === TriggerType.ADD || type === TriggerType.DELETE) {
+            add(depsMap.get(ITERATE_KEY))
+            //  Map的keys只关心键的增删
+            if (isMap) {
+                add(depsMap.get(MAP_KEY_ITERATE_KEY))
+            }
+        }
+        //  修改Map已有键的值，forEach、values 等会读取到值的遍历操作也需要执行
+        else if (type === TriggerType.SET && isMap) {
+            add(depsMap.get(ITERATE_KEY))
+        }
+    }
+
+    if (Array.isArray(target)) {
+        //  数组新增元素会隐式修改length，需要执行length的副作用函数
+        if (type === TriggerType.ADD) {
+            add(depsMap.get('length'))
+        }
+        //  直接修改数组的length，索引大于等于新length的元素都被删除了，需要执行这些元素的副作用函数
+        else if (key === 'length') {
+            depsMap.forEach((deps, key) => {
+                if (isIntegerKey(key) && Number(key) >= newVal) {
+                    add(deps)
+                }
+            })
+        }
+    }
+
+    newSetArr.forEach(effectFn => {
+        //  存在调度任务
+        if (effectFn.options.scheduler) {
+            effectFn.options.scheduler(effectFn)
+        }
+        //  否则执行副作用函数
+        else {
+            effectFn()
+        }
+    })
+}
+
+/**
+ * 当前激活的副作用函数
+ * @type { TEffect }
+ */
+let activeEffect
+
+/**
+ * 副作用函数栈
+ * 在嵌套effect函数时，为了保证track函数收集的effect为正确的
+ * @type { Array<TEffect> }
+ */
+const effectStack = []
+
+/**
+ * 是否允许依赖收集
+ * @type { boolean }
+ */
+let shouldTrack = true
+
+/**
+ * 保存每次暂停依赖收集前的状态，暂停与恢复可以嵌套调用
+ * @type { Array<boolean> }
+ */
+const trackStack = []
+
+/**
+ * 暂停依赖收集
+ */
+function pauseTracking() {
+    trackStack.push(shouldTrack)
+    shouldTrack = false
+}
+
+/**
+ * 恢复为暂停前的依赖收集状态
+ */
+function resetTracking() {
+    const last = trackStack.pop()
+    shouldTrack = last === undefined ? true : last
+}
+
+/**
+ * 将业务函数注册为副作用函数
+ * @param { Function } fn 业务函数
+ * @param { TEffectOptions } options 副作用函数配置
+ */
+function effect(fn, options = {}) {
+    /**
+     * 副作用函数
+     * @type { TEffect }
+     * @returns 
+     */
+    const effectFn = () => {
+        //  将副作用函数从被收集的依赖列表中进行移除
+        cleanup(effectFn)
+
+        //  赋值给 activeEffect，为了在get里能被正确收集依赖
+        activeEffect = effectFn
+        // 在调用副作用函数之前将当前副作用函数压栈
+        effectStack.push(effectFn)
+        //  副作用函数可能在 push 等方法暂停依赖收集期间被触发，执行时需要重新允许依赖收集
+        trackStack.push(shouldTrack)
+        shouldTrack = true
+
+        //  执行业务函数，触发响应式属性读取
+        const res = fn()
+
+        //  还原依赖收集的状态
+        resetTracking()
+        //  在当前副作用函数执行完毕后，将当前副作用函数弹出栈，并还原 activeEffect 为之前的值
+        effectStack.pop()
+        activeEffect = effectStack[effectStack.length - 1]
+
+        return res
+    }
+
+    //  将 options 挂在到 effectFn 上
+    effectFn.options = options
+    //  请用鼠标触摸deps查看注释
+    effectFn.deps = []
+    //  如指定初次不执行，不执行副作用函数，否则执行副作用函数
+    if (!options.lazy) {
+        effectFn()
+    }
+
+    return effectFn
+}
+
+/**
+ * 将副作用函数从被收集的依赖列表中进行移除
+ * @param { TEffect } effectFn 副作用函数
+ */
+function cleanup(effectFn) {
+    for (let i = 0; i < effectFn.deps.length; i++) {
+        const deps = effectFn.deps[i]
+        deps.delete(effectFn)
+    }
+
+    effectFn.deps.length = 0
+}
+
+/**
+ * 计算属性
+ * @param { Function } getter 内含响应式属性的表达式
+ * @returns 
+ */
+function computed(getter) {
+    let value
+    //  是否需要计算
+    let isNeedComputed = true
+
+    //  声明一个对象，仅有只读属性value
+    const obj = {
+        get value() {
+            //  在首次读取，或依赖发生变化时。isNeedComputed会被设置为true
+            //  重新执行副作用函数，获取最新正确的返回值
+            if (isNeedComputed) {
+                value = effectFn()
+                isNeedComputed = false
+            }
+
+            //  计算属性被读取时，需要重新依赖收集
+            track(obj, 'value')
+            //  返回计算属性结果
+            return value
+        }
+    }
+
+    /**
+     * 注册副作用函数，但首次不会执行，而是返回一个副作用函数
+     * 在计算属性.value 被访问时，才会判断执行副作用函数
+     */
+    const effectFn = effect(getter, {
+        //  指定lazy属性，首次不执行
+        lazy: true,
+        //  指定任务调度函数，处理计算属性逻辑
+        scheduler() {
+            //  调度任务被执行，说明需要依赖的属性发生变化
+            //  在首次不需要计算时，才去触发副作用函数的执行。可以避免一个计算属性里多个依赖同时变化，导致多次执行
+            if (!isNeedComputed) {
+                //  设置为需要计算
+                isNeedComputed = true
+
+                //  计算属性发生改变，手动进行派发更新
+                trigger(obj, 'value')
+            }
+        }
+    })
+
+    return obj
+}
+
+/**
+ * 递归的对响应式数据的每个属性访问一遍，进行依赖收集
+ * @param { Object } value 
+ * @param { Set<string> } seen 
+ * @returns 
+ */
+function traverse(value, seen = new Set()) {
+    if (typeof value !== 'object' || value === null || seen.has(value)) {
+        return
+    }
+    seen.add(value)
+    for (const k in value) {
+        traverse(value[k], seen)
+    }
+
+    return value
+}
+
+/**
+ * 观察一个/包含响应式数据或响应式数据属性的变化
+ * @param { Function | Object | Array<Object> } source 观察的目标
+ * @param { (newValue, oldValue) => {} } cb 变化的回调
+ * @param { Object } options 配置
+ */
+function watch(source, cb, options = {}) {
+    let getter
+
+    //  函数指定观察目标
+    if (typeof source === 'function') {
+        getter = source
+    }
+    else if (Array.isArray(source)) {
+        getter = () => source.forEach(i => traverse(i))
+    }
+    //  响应式数据，遍历此数据的所有属性进行访问
+    else {
+        getter = () => traverse(source)
+    }
+
+    let oldValue, newValue
+
+    /**
+     * watch执行任务
+     */
+    const job = () => {
+        newValue = effectFn()
+        cb(newValue, oldValue)
+        oldValue = newValue
+    }
+
+    const effectFn = effect(
+        // 执行 getter
+        () => getter(),
+        {
+            lazy: true,
+            scheduler: () => {
+                if (options.flush === 'post') {
+                    const p = Promise.resolve()
+                    p.then(job)
+                } else {
+                    job()
+                }
+            }
+        }
+    )
+    
+    //  马上执行watch回调
+    if (options.immediate) {
+        job()
+    }
+    //  不马上执行watch回调，但建立依赖关系，并获取旧值
+    else {
+        oldValue = effectFn()
+    }
+}
+
+/**
+ * 将值转为响应式对象，原始值原样返回
+ * @param { any } value
+ * @returns { any }
+ */
+function toReactive(value) {
+    return typeof value === 'object' && value !== null ? reactive(value) : value
+}
+
+/**
+ * 判断一个值是否为ref
+ * @param { any } r
+ * @returns { boolean }
+ */
+function isRef(r) {
+    return !!(r && r.__v_isRef === true)
+}
+
+/**
+ * 创建一个ref，让原始值也能成为响应式数据
+ * @param { any } value 初始值，对象会被转为reactive对象
+ * @returns { TRef }
+ */
+function ref(value) {
+    return createRef(value, false)
+}
+
+/**
+ * 创建一个浅ref，只有.value的替换是响应式的
+ * @param { any } value 初始值，不会被转为reactive对象
+ * @returns { TRef }
+ */
+function shallowRef(value) {
+    return createRef(value, true)
+}
+
+/**
+ * 创建ref，ref 与 shallowRef 都由此函数创建
+ * @param { any } rawValue 初始值
+ * @param { boolean } isShallow 是否浅ref
+ * @returns { TRef }
+ */
+function createRef(rawValue, isShallow) {
+    //  已经是ref了，直接返回
+    if (isRef(rawValue)) {
+        return rawValue
+    }
+
+    //  ref持有的值，深ref会将对象转为reactive对象
+    let value = isShallow ? rawValue : toReactive(rawValue)
+
+    //  与计算属性一样，声明一个带有value访问器的对象
+    const r = {
+        get value() {
+            //  读取.value时，对ref对象的value属性进行依赖收集
+            track(r, 'value')
+            return value
+        },
+        set value(newVal) {
+            //  值没有变化，无需派发更新
+            if (newVal === rawValue) {
+                return
+            }
+
+            rawValue = newVal
+            value = isShallow ? newVal : toReactive(newVal)
+
+            //  设置.value时，执行value属性的副作用函数
+            trigger(r, 'value')
+        }
+    }
+
+    //  标记为ref，不可枚举，用于isRef判断
+    Object.defineProperty(r, '__v_isRef', {
+        value: true
+    })
+
+    return r
+}
+
+/**
+ * 获取ref的值，非ref原样返回
+ * @param { any } r
+ * @returns { any }
+ */
+function unref(r) {
+    return isRef(r) ? r.value : r
+}
+
+/**
+ * 为响应式对象的某个属性创建ref，读写.value即读写该属性，响应式联系不会丢失
+ * @param { Object } obj 响应式对象
+ * @param { string } key 属性
+ * @returns { TRef }
+ */
+function toRef(obj, key) {
+    //  属性本身就是ref，直接返回
+    const val = obj[key]
+    if (isRef(val)) {
+        return val
+    }
+
+    const r = {
+        get value() {
+            //  读取响应式对象的属性，依赖收集由响应式对象完成
+            return obj[key]
+        },
+        set value(newVal) {
+            //  设置响应式对象的属性，派发更新由响应式对象完成
+            obj[key] = newVal
+        }
+    }
+
+    Object.defineProperty(r, '__v_isRef', {
+        value: true
+    })
+
+    return r
+}
+
+/**
+ * 将响应式对象的每个属性都转为ref，解构后也不会丢失响应式
+ * @param { Object } obj 响应式对象
+ * @returns { Object }
+ */
+function toRefs(obj) {
+    const ret = Array.isArray(obj) ? new Array(obj.length) : {}
+    for (const key in obj) {
+        ret[key] = toRef(obj, key)
+    }
+
+    return ret
+}
@@ -0,0 +1,1647 @@
+/**
+ * 储存副作用函数的桶
+ * @type { TBucket }
+ */
+const bucket = new WeakMap()
+
+/**
+ * 代理对象上的特殊属性
+ */
+const ReactiveFlags = {
+    //  通过代理对象读取此属性，可以拿到原始对象
+    RAW: '__v_raw'
+}
+
+/**
+ * 派发更新的操作类型
+ */
+const TriggerType = {
+    //  修改已有的属性
+    SET: 'SET',
+    //  新增属性
+    ADD: 'ADD',
+    //  删除属性
+    DELETE: 'DELETE',
+    //  清空集合
+    CLEAR: 'CLEAR'
+}
+
+/**
+ * 遍历操作依赖收集时使用的key
+ *
+ * for...in、forEach、size 等操作与某个具体的键无关，而是与属性、元素的增删有关，所以使用一个唯一的symbol
+ */
+const ITERATE_KEY = Symbol('iterate')
+
+/**
+ * Map.prototype.keys 依赖收集时使用的key
+ *
+ * keys 只关心键的增删，修改Map已有键的值时，不需要执行它的副作用函数
+ */
+const MAP_KEY_ITERATE_KEY = Symbol('Map key iterate')
+
+/**
+ * 实例数据
+ */
+const data = {
+    showNameFirst: true,
+    name: 'august',
+    age: 25,
+    user: {
+        name: 'august',
+        address: {
+            city: 'guangzhou'
+        }
+    }
+}
+
+/**
+ * 原始对象与响应式对象的映射
+ *
+ * 结构：原始对象——代理对象
+ *
+ * 同一个原始对象多次调用reactive，得到的都是同一个代理对象
+ * @type { WeakMap<Object, Object> }
+ */
+const reactiveMap = new WeakMap()
+
+/**
+ * 原始对象与浅响应对象的映射
+ * @type { WeakMap<Object, Object> }
+ */
+const shallowReactiveMap = new WeakMap()
+
+/**
+ * 原始对象与只读对象的映射
+ * @type { WeakMap<Object, Object> }
+ */
+const readonlyMap = new WeakMap()
+
+/**
+ * 原始对象与浅只读对象的映射
+ * @type { WeakMap<Object, Object> }
+ */
+const shallowReadonlyMap = new WeakMap()
+
+/**
+ * 创建对象的响应式代理
+ * @param { Object } target 原始对象
+ * @returns { Object } 代理对象
+ */
+function reactive(target) {
+    return createReactive(target, false, false, reactiveMap)
+}
+
+/**
+ * 创建对象的浅响应代理，只有第一层属性是响应式的
+ * @param { Object } target 原始对象
+ * @returns { Object } 代理对象
+ */
+function shallowReactive(target) {
+    return createReactive(target, true, false, shallowReactiveMap)
+}
+
+/**
+ * 创建对象的只读代理，深层的属性也是只读的
+ * @param { Object } target 原始对象
+ * @returns { Object } 代理对象
+ */
+function readonly(target) {
+    return createReactive(target, false, true, readonlyMap)
+}
+
+/**
+ * 创建对象的浅只读代理，只有第一层属性是只读的
+ * @param { Object } target 原始对象
+ * @returns { Object } 代理对象
+ */
+function shallowReadonly(target) {
+    return createReactive(target, true, true, shallowReadonlyMap)
+}
+
+/**
+ * 创建代理对象，reactive、shallowReactive、readonly、shallowReadonly 都由此函数创建
+ * @param { Object } target 原始对象
+ * @param { boolean } isShallow 是否浅响应
+ * @param { boolean } isReadonly 是否只读
+ * @param { WeakMap<Object, Object> } proxyMap 缓存代理对象的映射
+ * @returns { Object } 代理对象
+ */
+function createReactive(target, isShallow, isReadonly, proxyMap) {
+    //  只有对象才能被代理，原始值直接返回
+    if (typeof target !== 'object' || target === null) {
+        console.warn(`${ isReadonly ? 'readonly' : 'reactive' }只能代理对象，无法代理：${ String(target) }`)
+        return target
+    }
+
+    //  该对象已经创建过同类型的代理，直接返回缓存的代理对象
+    const existingProxy = proxyMap.get(target)
+    if (existingProxy) {
+        return existingProxy
+    }
+
+    //  集合类型的读写通过方法完成，需要使用单独的拦截函数
+    const handlers = isCollection(target)
+        ? createCollectionHandlers(isShallow, isReadonly)
+        : createBaseHandlers(isShallow, isReadonly)
+
+    const proxy = new Proxy(target, handlers)
+
+    proxyMap.set(target, proxy)
+
+    return proxy
+}
+
+/**
+ * 创建普通对象的代理拦截函数
+ * @param { boolean } isShallow 是否浅响应
+ * @param { boolean } isReadonly 是否只读
+ * @returns { ProxyHandler<Object> }
+ */
+function createBaseHandlers(isShallow, isReadonly) {
+    return {
+        get(target, key, receiver) {
+            //  通过代理对象访问原始对象
+            if (key === ReactiveFlags.RAW) {
+                return target
+            }
+
+            //  数组的 includes、push 等方法，返回重写过的方法
+            if (Array.isArray(target) && arrayInstrumentations.hasOwnProperty(key)) {
+                return Reflect.get(arrayInstrumentations, key, receiver)
+            }
+
+            //  只读对象的属性不会被修改，也就没必要进行依赖收集
+            //  for...of 遍历数组时会读取 Symbol.iterator 等symbol属性，这些属性无需进行依赖收集
+            if (!isReadonly && typeof key !== 'symbol') {
+                //  该对象的属性被读取时，进行依赖收集
+                track(target, key)
+            }
+
+            //  使用Reflect.get并传入receiver，属性是getter时，getter内的this指向代理对象
+            //  这样getter内读取的其他属性也能进行依赖收集
+            const res = Reflect.get(target, key, receiver)
+
+            //  浅响应/浅只读，直接返回属性值
+            if (isShallow) {
+                return res
+            }
+
+            //  属性值是对象时，在读取时才将其转为响应式对象（懒代理）
+            //  这样 _data.user.name 这样的深层读取也能进行依赖收集
+            if (typeof res === 'object' && res !== null) {
+                return isReadonly ? readonly(res) : reactive(res)
+            }
+
+            //  返回属性值
+            return res
+        },
+        set(target, key, newVal, receiver) {
+            //  只读对象，拒绝修改并给出警告
+            if (isReadonly) {
+                console.warn(`属性 ${ String(key) } 是只读的`)
+                return true
+            }
+
+            //  数组设置的索引小于数组长度，说明是修改已有元素，否则是新增元素
+            //  对象已有此属性，说明是修改属性，否则是新增属性
+            const type = Array.isArray(target) && isIntegerKey(key)
+                ? Number(key) < target.length ? TriggerType.SET : TriggerType.ADD
+                : hasOwn(target, key) ? TriggerType.SET : TriggerType.ADD
+
+            //  记录旧值，用于判断值是否真的发生了变化
+            const oldVal = target[key]
+
+            //  该对象的属性被修改时，设置属性值
+            //  使用Reflect.set并传入receiver，属性是setter时，setter内的this指向代理对象
+            const res = Reflect.set(target, key, newVal, receiver)
+
+            //  receiver是target的代理对象时才派发更新
+            //  当原型也是响应式对象时，设置子对象上不存在的属性会沿原型链调用原型代理对象的set
+            //  此时receiver是子对象的代理对象，原型上无需再派发一次，避免副作用函数重复执行
+            if (target === receiver[ReactiveFlags.RAW]) {
+                //  值发生变化时才执行副作用函数，新增属性一定需要派发更新
+                if (type === TriggerType.ADD || hasChanged(newVal, oldVal)) {
+                    trigger(target, key, type, newVal)
+                }
+            }
+
+            //  返回设置结果，严格模式下以及 push 等数组方法内部，set 返回 false 会抛出TypeError
+            return res
+        },
+        //  拦截 key in obj
+        has(target, key) {
+            if (!isReadonly && typeof key !== 'symbol') {
+                track(target, key)
+            }
+            return Reflect.has(target, key)
+        },
+        //  拦截 for...in、Object.keys 等获取对象自身属性的操作
+        ownKeys(target) {
+            //  遍历操作与具体的属性无关，对象使用ITERATE_KEY建立联系
+            //  数组的遍历结果取决于length，直接与length建立联系
+            if (!isReadonly) {
+                track(target, Array.isArray(target) ? 'length' : ITERATE_KEY)
+            }
+            return Reflect.ownKeys(target)
+        },
+        //  拦截 delete obj.key
+        deleteProperty(target, key) {
+            //  只读对象，拒绝删除并给出警告
+            if (isReadonly) {
+                console.warn(`属性 ${ String(key) } 是只读的`)
+                return true
+            }
+
+            const hadKey = hasOwn(target, key)
+            const res = Reflect.deleteProperty(target, key)
+
+            //  删除的是对象自身存在的属性，并且删除成功，才需要派发更新
+            if (res && hadKey) {
+                trigger(target, key, TriggerType.DELETE)
+            }
+            return res
+        }
+    }
+}
+
+/**
+ * 比较新旧值是否发生了变化
+ *
+ * 使用Object.is比较，NaN与NaN被视为相等，避免属性值为NaN时每次设置都派发更新
+ * @param { any } value 新值
+ * @param { any } oldValue 旧值
+ * @returns { boolean }
+ */
+function hasChanged(value, oldValue) {
+    return !Object.is(value, oldValue)
+}
+
+/**
+ * 判断属性是否为对象自身的属性
+ * @param { Object } target
+ * @param { string | symbol } key
+ * @returns { boolean }
+ */
+function hasOwn(target, key) {
+    return Object.prototype.hasOwnProperty.call(target, key)
+}
+
+/**
+ * 判断属性是否为数组索引
+ * @param { string | symbol } key
+ * @returns { boolean }
+ */
+function isIntegerKey(key) {
+    return typeof key === 'string' && key !== 'NaN' && key[0] !== '-' && String(parseInt(key, 10)) === key
+}
+
+/**
+ * 重写的数组方法
+ */
+const arrayInstrumentations = {}
+
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+    const originMethod = Array.prototype[method]
+    arrayInstrumentations[method] = function (...args) {
+        //  this是代理对象，先在代理对象中查找，数组元素是对象时，找到的是元素的代理对象
+        let res = originMethod.apply(this, args)
+
+        //  找不到时，拿原始数组再查找一遍，这样 arr.includes(原始对象) 也能找到
+        if (res === false || res === -1) {
+            res = originMethod.apply(this[ReactiveFlags.RAW], args)
+        }
+
+        return res
+    }
+})
+
+;['push', 'pop', 'shift', 'unshift', 'splice'].forEach(method => {
+    const originMethod = Array.prototype[method]
+    arrayInstrumentations[method] = function (...args) {
+        //  这些方法会隐式读取length属性，如果进行依赖收集
+        //  两个副作用函数同时往一个数组push时，会互相触发对方，导致栈溢出
+        pauseTracking()
+        const res = originMethod.apply(this, args)
+        resetTracking()
+
+        return res
+    }
+})
+
+/**
+ * 判断对象是否为集合类型
+ * @param { Object } target
+ * @returns { boolean }
+ */
+function isCollection(target) {
+    return target instanceof Map || target instanceof Set || target instanceof WeakMap || target instanceof WeakSet
+}
+
+/**
+ * 创建集合类型（Map、Set、WeakMap、WeakSet）的代理拦截函数
+ *
+ * 集合的读写都是通过方法调用完成的，方法内部访问的是内部槽，set拦截不到
+ * 所以只拦截get，返回重写过的方法，在方法里进行依赖收集和派发更新
+ * @param { boolean } isShallow 是否浅响应
+ * @param { boolean } isReadonly 是否只读
+ * @returns { ProxyHandler<Object> }
+ */
+function createCollectionHandlers(isShallow, isReadonly) {
+    const instrumentations = createCollectionInstrumentations(isShallow, isReadonly)
+
+    return {
+        get(target, key, receiver) {
+            //  通过代理对象访问原始对象
+            if (key === ReactiveFlags.RAW) {
+                return target
+            }
+
+            //  size是访问器属性，内部会访问内部槽，必须以原始对象作为this读取
+            //  新增、删除元素都会影响size，所以与ITERATE_KEY建立联系
+            if (key === 'size') {
+                if (!isReadonly) {
+                    track(target, ITERATE_KEY)
+                }
+                return Reflect.get(target, key, target)
+            }
+
+            //  集合自身存在的方法，返回重写过的方法
+            if (instrumentations.hasOwnProperty(key) && key in target) {
+                return instrumentations[key]
+            }
+
+            return Reflect.get(target, key, receiver)
+        }
+    }
+}
+
+/**
+ * 创建重写的集合方法
+ *
+ * 方法内的this是代理对象，通过this[ReactiveFlags.RAW]拿到原始集合进行操作
+ * @param { boolean } isShallow 是否浅响应
+ * @param { boolean } isReadonly 是否只读
+ * @returns { Object }
+ */
+function createCollectionInstrumentations(isShallow, isReadonly) {
+    /**
+     * 将读取到的值包装为响应式的值
+     * @param { any } value
+     * @returns { any }
+     */
+    const wrap = value => {
+        if (isShallow || typeof value !== 'object' || value === null) {
+            return value
+        }
+        return isReadonly ? readonly(value) : reactive(value)
+    }
+
+    /**
+     * 获取代理对象的原始对象，避免将代理对象存入原始集合中，污染原始数据
+     * @param { any } value
+     * @returns { any }
+     */
+    const toRawValue = value => (value && value[ReactiveFlags.RAW]) || value
+
+    /**
+     * 创建返回迭代器的方法：keys、values、entries、Symbol.iterator
+     * @param { string | symbol } method
+     * @returns { Function }
+     */
+    const createIterableMethod = method => function (...args) {
+        const target = this[ReactiveFlags.RAW]
+        const targetIsMap = target instanceof Map
+        //  entries 与 Map 的 for...of，迭代出的是[key, value]
+        const isPair = method === 'entries' || (method === Symbol.iterator && targetIsMap)
+        //  Map 的 keys 只关心键的增删，与值的修改无关
+        const isKeyOnly = method === 'keys' && targetIsMap
+        const innerIterator = target[method](...args)
+
+        if (!isReadonly) {
+            track(target, isKeyOnly ? MAP_KEY_ITERATE_KEY : ITERATE_KEY)
+        }
+
+        //  返回自定义的迭代器，迭代出的值同样需要包装为响应式的值
+        return {
+            next() {
+                const { value, done } = innerIterator.next()
+                return done
+                    ? { value, done }
+                    : {
+                        value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value),
+                        done
+                    }
+            },
+            //  实现可迭代协议，使 for...of 可以遍历此迭代器
+            [Symbol.iterator]() {
+                return this
+            }
+        }
+    }
+
+    /**
+     * 创建只读集合的修改方法
+     * @param { string } type 操作类型
+     * @returns { Function }
+     */
+    const createReadonlyMethod = type => function () {
+        console.warn(`${ type } 操作失败，集合是只读的`)
+        return type === TriggerType.DELETE ? false : this
+    }
+
+    const instrumentations = {
+        get(key) {
+            const target = this[ReactiveFlags.RAW]
+            const rawKey = toRawValue(key)
+            if (!isReadonly) {
+                track(target, rawKey)
+            }
+            return wrap(target.get(rawKey))
+        },
+        has(key) {
+            const target = this[ReactiveFlags.RAW]
+            const rawKey = toRawValue(key)
+            if (!isReadonly) {
+                track(target, rawKey)
+            }
+            return target.has(rawKey)
+        },
+        forEach(callback, thisArg) {
+            const target = this[ReactiveFlags.RAW]
+            //  遍历操作与ITERATE_KEY建立联系
+            if (!isReadonly) {
+                track(target, ITERATE_KEY)
+            }
+            target.forEach((value, key) => {
+                //  传给回调的参数也需要包装为响应式的值，第三个参数是代理对象
+                callback.call(thisArg, wrap(value), wrap(key), this)
+            })
+        },
+        keys: createIterableMethod('keys'),
+        values: createIterableMethod('values'),
+        entries: createIterableMethod('entries'),
+        [Symbol.iterator]: createIterableMethod(Symbol.iterator)
+    }
+
+    if (isReadonly) {
+        instrumentations.add = createReadonlyMethod(TriggerType.ADD)
+        instrumentations.set = createReadonlyMethod(TriggerType.SET)
+        instrumentations.delete = createReadonlyMethod(TriggerType.DELETE)
+        instrumentations.clear = createReadonlyMethod(TriggerType.CLEAR)
+
+        return instrumentations
+    }
+
+    instrumentations.add = function (value) {
+        const target = this[ReactiveFlags.RAW]
+        const rawValue = toRawValue(value)
+        //  元素已存在时，添加不会产生任何变化
+        if (!target.has(rawValue)) {
+            target.add(rawValue)
+            trigger(target, rawValue, TriggerType.ADD, rawValue)
+        }
+        return this
+    }
+
+    instrumentations.set = function (key, value) {
+        const target = this[ReactiveFlags.RAW]
+        const rawKey = toRawValue(key)
+        const rawValue = toRawValue(value)
+        const hadKey = target.has(rawKey)
+        const oldValue = target.get(rawKey)
+
+        target.set(rawKey, rawValue)
+
+        //  键不存在是新增，存在且值有变化是修改
+        if (!hadKey) {
+            trigger(target, rawKey, TriggerType.ADD, rawValue)
+        }
+        else if (hasChanged(rawValue, oldValue)) {
+            trigger(target, rawKey, TriggerType.SET, rawValue)
+        }
+        return this
+    }
+
+    instrumentations.delete = function (key) {
+        const target = this[ReactiveFlags.RAW]
+        const rawKey = toRawValue(key)
+        const hadKey = target.has(rawKey)
+        const res = target.delete(rawKey)
+
+        //  删除存在的元素才需要派发更新
+        if (hadKey) {
+            trigger(target, rawKey, TriggerType.DELETE)
+        }
+        return res
+    }
+
+    instrumentations.clear = function () {
+        const target = this[ReactiveFlags.RAW]
+        const hadItems = target.size !== 0
+        const res = target.clear()
+
+        //  清空了元素，集合的所有副作用函数都需要执行
+        if (hadItems) {
+            trigger(target, undefined, TriggerType.CLEAR)
+        }
+        return res
+    }
+
+    return instrumentations
+}
+
+/**
+ * 对象进行响应式处理
+ */
+const _data = reactive(data)
+
+/**
+ * 对已劫持对象的某个属性进行依赖收集
+ * @param { object } target 目标对象
+ * @param { string } key 对象属性
+ */
+function track(target, key) {
+    //  如没有正在运行中的effect，或依赖收集被暂停，说明并不需要收集
+    //  副作用函数在执行中停止了自身，之后读取的属性也不再收集，否则停止后依然会被桶持有
+    if (!activeEffect || !shouldTrack || !activeEffect.active) {
+        return
+    }
+
+    /**
+     * 依赖Map
+     * @type { TDepsMap }
+     */
+    let depsMap = bucket.get(target)
+    if (!depsMap) {
+        depsMap = new Map()
+        bucket.set(target, depsMap)
+    }
+
+    /**
+     * 副作用函数set
+     * @type { TDeps }
+     */
+    let deps = depsMap.get(key)
+    if (!deps) {
+        deps = new Set()
+        depsMap.set(key, deps)
+    }
+
+    //  属性的更新队列添加副作用函数
+    deps.add(activeEffect)
+    //  给副作用函数的deps数组推入deps，这样副作用函数每次执行的时候都能调用cleanup清空属性的依赖
+    activeEffect.deps.push(deps)
+}
+
+/**
+ * 执行某个属性的全部副作用函数
+ * @param { object } target 目标对象
+ * @param { string } key 对象属性
+ * @param { string } type 操作类型
+ * @param { any } newVal 新值
+ */
+function trigger(target, key, type, newVal) {
+    //  如该对象没有依赖Map，说明未曾依赖收集过，直接返回
+    const depsMap = bucket.get(target)
+    if (!depsMap) {
+        return
+    }
+
+    /**
+     * 关键操作，必须使用一个新的Set
+     * 因为后续effectFn依赖收集，会对同一个属性进行delete和add。会让原先set的forEach产生无限循环
+     */
+    const newSetArr = new Set()
+
+    /**
+     * 将副作用函数添加到待执行的set
+     * @param { TDeps } deps
+     */
+    const add = deps => {
+        if (deps) {
+            deps.forEach(effectFn => newSetArr.add(effectFn))
+        }
+    }
+
+    //  清空集合，集合的所有副作用函数都需要执行
+    if (type === TriggerType.CLEAR) {
+        depsMap.forEach(add)
+    }
+    //  属性本身的副作用函数
+    else {
+        add(depsMap.get(key))
+    }
+
+    //  对象、集合新增或删除属性，会影响 for...in、size、forEach 等遍历操作
+    //  仅修改属性值，属性的数量没有变化，遍历操作无需重新执行
+    //  数组的遍历与length建立联系，在下方单独处理
+    if (!Array.isArray(target)) {
+        const isMap = target instanceof Map
+        if (type === TriggerType.ADD || type === TriggerType.DELETE) {
+            add(depsMap.get(ITERATE_KEY))
+            //  Map的keys只关心键的增删
+            if (isMap) {
+                add(depsMap.get(MAP_KEY_ITERATE_KEY))
+            }
+        }
+        //  修改Map已有键的值，forEach、values 等会读取到值的遍历操作也需要执行
+        else if (type === TriggerType.SET && isMap) {
+            add(depsMap.get(ITERATE_KEY))
+        }
+    }
+
+    if (Array.isArray(target)) {
+        //  数组新增元素会隐式修改length，需要执行length的副作用函数
+        if (type === TriggerType.ADD) {
+            add(depsMap.get('length'))
+        }
+        //  直接修改数组的length，索引大于等于新length的元素都被删除了，需要执行这些元素的副作用函数
+        else if (key === 'length') {
+            depsMap.forEach((deps, key) => {
+                if (isIntegerKey(key) && Number(key) >= newVal) {
+                    add(deps)
+                }
+            })
+        }
+    }
+
+    newSetArr.forEach(effectFn => {
+        //  副作用函数可能在本轮派发更新中被其他副作用函数停止了，已停止的不再执行
+        if (!effectFn.active) {
+            return
+        }
+
+        //  存在调度任务
+        if (effectFn.options.scheduler) {
+            effectFn.options.scheduler(effectFn)
+        }
+        //  否则执行副作用函数
+        else {
+            effectFn()
+        }
+    })
+}
+
+/**
+ * 当前激活的副作用函数
+ * @type { TEffect }
+ */
+let activeEffect
+
+/**
+ * 副作用函数的自增id，作为任务放入调度器队列时，按创建顺序执行
+ * @type { number }
+ */
+let uid = 0
+
+/**
+ * 副作用函数栈
+ * 在嵌套effect函数时，为了保证track函数收集的effect为正确的
+ * @type { Array<TEffect> }
+ */
+const effectStack = []
+
+/**
+ * 是否允许依赖收集
+ * @type { boolean }
+ */
+let shouldTrack = true
+
+/**
+ * 保存每次暂停依赖收集前的状态，暂停与恢复可以嵌套调用
+ * @type { Array<boolean> }
+ */
+const trackStack = []
+
+/**
+ * 暂停依赖收集
+ */
+function pauseTracking() {
+    trackStack.push(shouldTrack)
+    shouldTrack = false
+}
+
+/**
+ * 恢复为暂停前的依赖收集状态
+ */
+function resetTracking() {
+    const last = trackStack.pop()
+    shouldTrack = last === undefined ? true : last
+}
+
+/**
+ * 将业务函数注册为副作用函数
+ * @param { Function } fn 业务函数
+ * @param { TEffectOptions } options 副作用函数配置
+ */
+function effect(fn, options = {}) {
+    /**
+     * 副作用函数
+     * @type { TEffect }
+     * @returns 
+     */
+    const effectFn = () => {
+        //  已停止的副作用函数，仅执行业务函数，不再进行依赖收集
+        if (!effectFn.active) {
+            return fn()
+        }
+
+        //  将副作用函数从被收集的依赖列表中进行移除
+        cleanup(effectFn)
+
+        //  赋值给 activeEffect，为了在get里能被正确收集依赖
+        activeEffect = effectFn
+        // 在调用副作用函数之前将当前副作用函数压栈
+        effectStack.push(effectFn)
+        //  副作用函数可能在 push 等方法暂停依赖收集期间被触发，执行时需要重新允许依赖收集
+        trackStack.push(shouldTrack)
+        shouldTrack = true
+
+        //  执行业务函数，触发响应式属性读取
+        const res = fn()
+
+        //  还原依赖收集的状态
+        resetTracking()
+        //  在当前副作用函数执行完毕后，将当前副作用函数弹出栈，并还原 activeEffect 为之前的值
+        effectStack.pop()
+        activeEffect = effectStack[effectStack.length - 1]
+
+        return res
+    }
+
+    //  将 options 挂在到 effectFn 上
+    effectFn.options = options
+    //  请用鼠标触摸deps查看注释
+    effectFn.deps = []
+    //  是否处于激活状态，调用stop后变为false
+    effectFn.active = true
+    //  副作用函数的id
+    effectFn.id = uid++
+    //  被当前激活的作用域收集，作用域停止时一起停止
+    recordEffectScope(effectFn)
+    //  如指定初次不执行，不执行副作用函数，否则执行副作用函数
+    if (!options.lazy) {
+        effectFn()
+    }
+
+    return effectFn
+}
+
+/**
+ * 停止副作用函数，响应式属性变化时不再执行它
+ * @param { TEffect } effectFn effect返回的副作用函数
+ */
+function stop(effectFn) {
+    //  已经停止过了
+    if (!effectFn.active) {
+        return
+    }
+
+    //  将副作用函数从被收集的依赖列表中进行移除，桶里不再持有它
+    cleanup(effectFn)
+
+    //  执行停止回调
+    if (effectFn.options.onStop) {
+        effectFn.options.onStop()
+    }
+
+    effectFn.active = false
+}
+
+/**
+ * 将副作用函数从被收集的依赖列表中进行移除
+ * @param { TEffect } effectFn 副作用函数
+ */
+function cleanup(effectFn) {
+    for (let i = 0; i < effectFn.deps.length; i++) {
+        const deps = effectFn.deps[i]
+        deps.delete(effectFn)
+    }
+
+    effectFn.deps.length = 0
+}
+
+/**
+ * 当前激活的作用域
+ * @type { TEffectScope }
+ */
+let activeEffectScope
+
+/**
+ * 创建一个作用域，在作用域内创建的 effect、computed、watch 会被作用域收集，可以一起停止
+ * @param { boolean } detached 是否为独立作用域，独立作用域不会被父作用域收集，也不会随父作用域一起停止
+ * @returns { TEffectScope }
+ */
+function effectScope(detached = false) {
+    /**
+     * 作用域
+     * @type { TEffectScope }
+     */
+    const scope = {
+        active: true,
+        effects: [],
+        cleanups: [],
+        scopes: [],
+        parent: undefined,
+        run(fn) {
+            if (!scope.active) {
+                console.warn('无法在已停止的作用域中执行函数')
+                return
+            }
+
+            //  执行期间将当前作用域设为激活的作用域，这样fn内创建的副作用函数都能被当前作用域收集
+            const currentEffectScope = activeEffectScope
+            activeEffectScope = scope
+            try {
+                return fn()
+            }
+            finally {
+                //  还原为之前的作用域，保证嵌套调用run时作用域是正确的
+                activeEffectScope = currentEffectScope
+            }
+        },
+        stop(fromParent) {
+            if (!scope.active) {
+                return
+            }
+
+            //  停止作用域内的全部副作用函数
+            scope.effects.forEach(stop)
+            //  执行 onScopeDispose 注册的回调
+            scope.cleanups.forEach(cleanupFn => cleanupFn())
+            //  停止子作用域
+            scope.scopes.forEach(childScope => childScope.stop(true))
+
+            //  将自身从父作用域中移除，父作用域停止时会清空整个数组，无需逐个移除
+            if (scope.parent && !fromParent) {
+                const index = scope.parent.scopes.indexOf(scope)
+                if (index > -1) {
+                    scope.parent.scopes.splice(index, 1)
+                }
+            }
+
+            scope.effects.length = 0
+            scope.cleanups.length = 0
+            scope.scopes.length = 0
+            scope.parent = undefined
+            scope.active = false
+        }
+    }
+
+    //  非独立作用域，被当前激活的作用域收集为子作用域
+    if (!detached && activeEffectScope) {
+        scope.parent = activeEffectScope
+        activeEffectScope.scopes.push(scope)
+    }
+
+    return scope
+}
+
+/**
+ * 将副作用函数收集到作用域中
+ * @param { TEffect } effectFn 副作用函数
+ * @param { TEffectScope } scope 作用域，默认为当前激活的作用域
+ */
+function recordEffectScope(effectFn, scope = activeEffectScope) {
+    if (scope && scope.active) {
+        scope.effects.push(effectFn)
+    }
+}
+
+/**
+ * 获取当前激活的作用域
+ * @returns { TEffectScope | undefined }
+ */
+function getCurrentScope() {
+    return activeEffectScope
+}
+
+/**
+ * 在当前激活的作用域上注册回调，作用域停止时执行
+ * @param { Function } fn 回调
+ */
+function onScopeDispose(fn) {
+    if (activeEffectScope) {
+        activeEffectScope.cleanups.push(fn)
+    }
+    else {
+        console.warn('onScopeDispose 只能在作用域内调用')
+    }
+}
+
+/**
+ * 计算属性
+ * @param { Function } getter 内含响应式属性的表达式
+ * @returns 
+ */
+function computed(getter) {
+    let value
+    //  是否需要计算
+    let isNeedComputed = true
+
+    //  声明一个对象，仅有只读属性value
+    const obj = {
+        get value() {
+            //  在首次读取，或依赖发生变化时。isNeedComputed会被设置为true
+            //  重新执行副作用函数，获取最新正确的返回值
+            if (isNeedComputed) {
+                value = effectFn()
+                isNeedComputed = false
+            }
+
+            //  计算属性被读取时，需要重新依赖收集
+            track(obj, 'value')
+            //  返回计算属性结果
+            return value
+        }
+    }
+
+    /**
+     * 注册副作用函数，但首次不会执行，而是返回一个副作用函数
+     * 在计算属性.value 被访问时，才会判断执行副作用函数
+     */
+    const effectFn = effect(getter, {
+        //  指定lazy属性，首次不执行
+        lazy: true,
+        //  指定任务调度函数，处理计算属性逻辑
+        scheduler() {
+            //  调度任务被执行，说明需要依赖的属性发生变化
+            //  在首次不需要计算时，才去触发副作用函数的执行。可以避免一个计算属性里多个依赖同时变化，导致多次执行
+            if (!isNeedComputed) {
+                //  设置为需要计算
+                isNeedComputed = true
+
+                //  计算属性发生改变，手动进行派发更新
+                trigger(obj, 'value')
+            }
+        }
+    })
+
+    return obj
+}
+
+/**
+ * 一次刷新中，同一个任务最多被执行的次数，超过则认为出现了无限循环更新
+ */
+const RECURSION_LIMIT = 100
+
+/**
+ * 任务队列，按任务id从小到大执行
+ * @type { Array<TSchedulerJob> }
+ */
+const queue = []
+
+/**
+ * 在任务队列之前执行的回调
+ * @type { Array<TSchedulerJob> }
+ */
+const pendingPreFlushCbs = []
+
+/**
+ * 在任务队列之后执行的回调
+ * @type { Array<TSchedulerJob> }
+ */
+const pendingPostFlushCbs = []
+
+/**
+ * 是否正在刷新队列
+ * @type { boolean }
+ */
+let isFlushing = false
+
+/**
+ * 是否已经安排了刷新队列的微任务
+ * @type { boolean }
+ */
+let isFlushPending = false
+
+/**
+ * 正在执行的任务在队列中的索引
+ * @type { number }
+ */
+let flushIndex = 0
+
+const resolvedPromise = Promise.resolve()
+
+/**
+ * 本次刷新队列的promise，刷新完成后resolve
+ * @type { Promise<void> | null }
+ */
+let currentFlushPromise = null
+
+/**
+ * 在本次队列刷新完成后执行回调
+ * @param { Function } fn 回调
+ * @returns { Promise<void> }
+ */
+function nextTick(fn) {
+    const p = currentFlushPromise || resolvedPromise
+    return fn ? p.then(fn) : p
+}
+
+/**
+ * 获取任务id，没有id的任务排在最后
+ * @param { TSchedulerJob } job
+ * @returns { number }
+ */
+function getId(job) {
+    return job.id == null ? Infinity : job.id
+}
+
+/**
+ * 二分查找任务插入的位置，保证队列按id递增
+ *
+ * 正在刷新时，只在未执行的任务中查找
+ * @param { number } id
+ * @returns { number }
+ */
+function findInsertionIndex(id) {
+    let start = isFlushing ? flushIndex + 1 : 0
+    let end = queue.length
+
+    while (start < end) {
+        const middle = (start + end) >>> 1
+        if (getId(queue[middle]) < id) {
+            start = middle + 1
+        }
+        else {
+            end = middle
+        }
+    }
+
+    return start
+}
+
+/**
+ * 将任务添加到任务队列
+ *
+ * 任务在队列中尚未执行时不会被重复添加，同步代码里多次修改响应式数据，任务只会执行一次
+ * @param { TSchedulerJob } job
+ */
+function queueJob(job) {
+    //  正在刷新时，正在执行的任务默认不允许再次入队，避免任务修改自身依赖的数据导致递归执行
+    //  设置了allowRecurse的任务，从下一个位置开始查找，允许再次入队
+    const start = isFlushing && job.allowRecurse ? flushIndex + 1 : flushIndex
+
+    if (!queue.includes(job, start)) {
+        if (job.id == null) {
+            queue.push(job)
+        }
+        else {
+            queue.splice(findInsertionIndex(job.id), 0, job)
+        }
+        queueFlush()
+    }
+}
+
+/**
+ * 将回调添加到任务队列之前执行
+ * @param { TSchedulerJob } cb
+ */
+function queuePreFlushCb(cb) {
+    if (!pendingPreFlushCbs.includes(cb)) {
+        pendingPreFlushCbs.push(cb)
+        queueFlush()
+    }
+}
+
+/**
+ * 将回调添加到任务队列之后执行
+ * @param { TSchedulerJob } cb
+ */
+function queuePostFlushCb(cb) {
+    if (!pendingPostFlushCbs.includes(cb)) {
+        pendingPostFlushCbs.push(cb)
+        queueFlush()
+    }
+}
+
+/**
+ * 在微任务中刷新队列
+ */
+function queueFlush() {
+    if (!isFlushing && !isFlushPending) {
+        isFlushPending = true
+        currentFlushPromise = resolvedPromise.then(flushJobs)
+    }
+}
+
+/**
+ * 执行全部pre回调，按id从小到大执行，回调执行时可能又添加了pre回调，需要循环执行直到为空
+ * @param { Map<TSchedulerJob, number> } seen 记录任务的执行次数
+ */
+function flushPreFlushCbs(seen) {
+    while (pendingPreFlushCbs.length) {
+        const cbs = pendingPreFlushCbs.slice().sort((a, b) => getId(a) - getId(b))
+        pendingPreFlushCbs.length = 0
+
+        for (const cb of cbs) {
+            if (!checkRecursiveUpdates(seen, cb)) {
+                cb()
+            }
+        }
+    }
+}
+
+/**
+ * 执行全部post回调，按id从小到大执行
+ * @param { Map<TSchedulerJob, number> } seen 记录任务的执行次数
+ */
+function flushPostFlushCbs(seen) {
+    while (pendingPostFlushCbs.length) {
+        const cbs = pendingPostFlushCbs.slice().sort((a, b) => getId(a) - getId(b))
+        pendingPostFlushCbs.length = 0
+
+        for (const cb of cbs) {
+            if (!checkRecursiveUpdates(seen, cb)) {
+                cb()
+            }
+        }
+    }
+}
+
+/**
+ * 刷新队列：pre回调——任务队列——post回调
+ * @param { Map<TSchedulerJob, number> } seen 记录任务的执行次数
+ */
+function flushJobs(seen = new Map()) {
+    isFlushPending = false
+    isFlushing = true
+
+    flushPreFlushCbs(seen)
+
+    //  按id从小到大执行任务，先创建的任务先执行
+    queue.sort((a, b) => getId(a) - getId(b))
+
+    try {
+        //  不缓存队列长度，任务执行时可能会有新的任务入队
+        for (flushIndex = 0; flushIndex < queue.length; flushIndex++) {
+            const job = queue[flushIndex]
+            //  任务对应的副作用函数已停止，跳过
+            if (job.active === false || checkRecursiveUpdates(seen, job)) {
+                continue
+            }
+            job()
+        }
+    }
+    finally {
+        flushIndex = 0
+        queue.length = 0
+
+        flushPostFlushCbs(seen)
+
+        isFlushing = false
+        currentFlushPromise = null
+
+        //  post回调执行时可能又添加了任务，继续刷新直到全部执行完
+        if (queue.length || pendingPreFlushCbs.length || pendingPostFlushCbs.length) {
+            flushJobs(seen)
+        }
+    }
+}
+
+/**
+ * 检查任务在本次刷新中的执行次数，超过上限时给出警告并跳过
+ * @param { Map<TSchedulerJob, number> } seen 记录任务的执行次数
+ * @param { TSchedulerJob } fn 任务
+ * @returns { boolean } 是否超过上限
+ */
+function checkRecursiveUpdates(seen, fn) {
+    const count = seen.get(fn) || 0
+    if (count > RECURSION_LIMIT) {
+        console.warn(`任务执行次数超过了上限 ${ RECURSION_LIMIT }，可能存在无限循环更新，请检查回调里是否修改了自身依赖的响应式数据`)
+        return true
+    }
+
+    seen.set(fn, count + 1)
+    return false
+}
+
+/**
+ * 递归的对响应式数据的每个属性访问一遍，进行依赖收集
+ *
+ * for...in 会与ITERATE_KEY建立联系，所以响应式数据新增、删除属性时，watch也能观察到
+ * @param { any } value 
+ * @param { number } depth 访问的深度，默认访问全部层级
+ * @param { Set<Object> } seen 已访问过的对象，避免循环引用导致死循环
+ * @returns { any }
+ */
+function traverse(value, depth = Infinity, seen = new Set()) {
+    if (depth <= 0 || typeof value !== 'object' || value === null || seen.has(value)) {
+        return value
+    }
+    seen.add(value)
+    depth--
+
+    if (isRef(value)) {
+        traverse(value.value, depth, seen)
+    }
+    //  集合类型需要通过forEach访问元素
+    else if (value instanceof Map || value instanceof Set) {
+        value.forEach(v => traverse(v, depth, seen))
+    }
+    else {
+        for (const k in value) {
+            traverse(value[k], depth, seen)
+        }
+    }
+
+    return value
+}
+
+/**
+ * 观察一个/包含响应式数据或响应式数据属性的变化
+ * @param { Function | Object | TRef | Array<Function | Object | TRef> } source 观察的目标
+ * @param { (newValue, oldValue, onCleanup) => {} } cb 变化的回调，参数依次为新值、旧值、注册过期回调的函数
+ * @param { TWatchOptions } options 配置
+ * @returns { Function } 停止观察的函数
+ */
+function watch(source, cb, options = {}) {
+    if (typeof cb !== 'function') {
+        console.warn('watch的第二个参数必须是回调函数，如果不需要指定观察目标，请使用watchEffect')
+    }
+    return doWatch(source, cb, options)
+}
+
+/**
+ * 立即执行传入的函数，自动收集函数里用到的响应式数据，响应式数据变化时重新执行
+ *
+ * 与effect不同，重新执行会经过watch的调度，同步代码里多次修改只会执行一次
+ * @param { (onCleanup) => {} } fn 副作用函数，参数为注册过期回调的函数
+ * @param { TWatchOptions } options 配置，仅flush有效
+ * @returns { Function } 停止观察的函数
+ */
+function watchEffect(fn, options = {}) {
+    return doWatch(fn, null, options)
+}
+
+/**
+ * flush为post的watchEffect
+ * @param { (onCleanup) => {} } fn
+ * @returns { Function } 停止观察的函数
+ */
+function watchPostEffect(fn) {
+    return doWatch(fn, null, { flush: 'post' })
+}
+
+/**
+ * flush为sync的watchEffect
+ * @param { (onCleanup) => {} } fn
+ * @returns { Function } 停止观察的函数
+ */
+function watchSyncEffect(fn) {
+    return doWatch(fn, null, { flush: 'sync' })
+}
+
+/**
+ * watch 与 watchEffect 的实现
+ * @param { Function | Object | TRef | Array<Function | Object | TRef> } source 观察的目标，watchEffect时为副作用函数
+ * @param { Function | null } cb 变化的回调，watchEffect时为null
+ * @param { TWatchOptions } options 配置
+ * @returns { Function } 停止观察的函数
+ */
+function doWatch(source, cb, options) {
+    const { immediate, deep, once, flush = 'pre' } = options
+
+    /**
+     * 将deep配置转为访问深度
+     *
+     * deep为true时访问全部层级，为数字时访问指定层数，为false时只访问第一层
+     * @returns { number }
+     */
+    const getDepth = () => deep === true || deep === undefined ? Infinity : deep === false ? 1 : deep
+
+    /**
+     * 读取单个观察目标
+     * @param { Function | Object | TRef } s
+     * @returns { any }
+     */
+    const read = s => {
+        if (typeof s === 'function') {
+            return s()
+        }
+        if (isRef(s)) {
+            return s.value
+        }
+        //  响应式数据，默认深度遍历此数据的所有属性进行访问
+        return traverse(s, getDepth())
+    }
+
+    /**
+     * 观察目标是否为响应式对象
+     * @param { any } s
+     * @returns { boolean }
+     */
+    const isReactiveSource = s => typeof s === 'object' && s !== null && !isRef(s)
+
+    //  多个观察目标，响应式数组本身也是数组，需先排除，否则会被当成多个观察目标
+    const isMultiSource = Array.isArray(source) && !source[ReactiveFlags.RAW]
+
+    //  是否需要强制执行回调，观察的目标是响应式对象时，新旧值是同一个对象，无法通过比较判断是否变化
+    //  多个观察目标时，数组本身不算，其中有响应式对象才需要强制执行，否则逐个比较新旧值
+    const forceTrigger = !!deep || (isMultiSource ? source.some(isReactiveSource) : isReactiveSource(source))
+
+    let getter
+
+    //  watchEffect，执行副作用函数本身，重新执行前先执行上一次注册的过期回调
+    if (!cb) {
+        getter = () => {
+            runCleanup()
+            return source(onCleanup)
+        }
+    }
+    //  函数指定观察目标
+    else if (typeof source === 'function') {
+        getter = source
+    }
+    //  ref
+    else if (isRef(source)) {
+        getter = () => source.value
+    }
+    //  多个观察目标，新旧值都是数组
+    else if (isMultiSource) {
+        getter = () => source.map(read)
+    }
+    //  响应式数据，遍历此数据的所有属性进行访问
+    else {
+        getter = () => read(source)
+    }
+
+    //  函数、ref指定观察目标，指定deep时才深度访问返回值
+    if (cb && deep && (typeof source === 'function' || isRef(source))) {
+        const baseGetter = getter
+        getter = () => traverse(baseGetter(), getDepth())
+    }
+
+    let oldValue, newValue
+
+    /**
+     * 用户注册的过期回调
+     * @type { Function }
+     */
+    let cleanupCallback
+
+    /**
+     * 注册过期回调，在下一次执行watch回调前，或停止观察时执行
+     *
+     * 观察的目标频繁变化时，回调里的异步任务可能还没完成，就已经过期了
+     * 可以在过期回调里取消请求或标记结果已过期，避免旧的结果覆盖新的结果
+     * @param { Function } fn 过期回调
+     */
+    const onCleanup = fn => {
+        cleanupCallback = fn
+    }
+
+    /**
+     * 执行并清空过期回调
+     */
+    const runCleanup = () => {
+        if (cleanupCallback) {
+            cleanupCallback()
+            cleanupCallback = undefined
+        }
+    }
+
+    /**
+     * watch执行任务
+     */
+    const job = () => {
+        //  任务在队列中等待执行时，watch可能已经被停止了
+        if (!effectFn.active) {
+            return
+        }
+
+        //  watchEffect，重新执行副作用函数即可
+        if (!cb) {
+            effectFn()
+            return
+        }
+
+        newValue = effectFn()
+
+        //  值没有变化，无需执行回调
+        if (!forceTrigger && !hasChangedValue(newValue, oldValue)) {
+            return
+        }
+
+        //  执行回调前，先让上一次回调注册的过期回调执行
+        runCleanup()
+        cb(newValue, oldValue, onCleanup)
+        oldValue = newValue
+
+        //  只执行一次回调，执行后停止观察
+        if (once) {
+            unwatch()
+        }
+    }
+
+    /**
+     * 比较新旧值，多个观察目标时逐个比较
+     * @param { any } value
+     * @param { any } old
+     * @returns { boolean }
+     */
+    const hasChangedValue = (value, old) => {
+        if (isMultiSource) {
+            return !Array.isArray(old) || value.some((v, i) => hasChanged(v, old[i]))
+        }
+        return hasChanged(value, old)
+    }
+
+    const effectFn = effect(
+        // 执行 getter
+        () => getter(),
+        {
+            lazy: true,
+            //  停止观察时，上一次回调的异步任务也过期了
+            onStop: runCleanup,
+            scheduler: () => {
+                //  同步执行
+                if (flush === 'sync') {
+                    job()
+                }
+                //  在pre任务之后执行
+                else if (flush === 'post') {
+                    queuePostFlushCb(job)
+                }
+                //  默认放入pre队列，在任务队列之前执行，同步代码里多次修改只会执行一次
+                else {
+                    queuePreFlushCb(job)
+                }
+            }
+        }
+    )
+
+    //  任务与副作用函数的id相同，先创建的watch先执行
+    job.id = effectFn.id
+    //  watch回调里可能修改观察目标，允许任务执行时再次入队，无限循环由调度器的执行次数上限兜底
+    job.allowRecurse = !!cb
+
+    /**
+     * 停止观察
+     */
+    const unwatch = () => stop(effectFn)
+
+    //  watchEffect，马上执行副作用函数收集依赖，post则等到pre任务执行完后再执行
+    if (!cb) {
+        if (flush === 'post') {
+            queuePostFlushCb(effectFn)
+        }
+        else {
+            effectFn()
+        }
+    }
+    //  马上执行watch回调
+    else if (immediate) {
+        //  首次执行，旧值为undefined，需要强制执行回调
+        newValue = effectFn()
+        cb(newValue, undefined, onCleanup)
+        oldValue = newValue
+
+        if (once) {
+            unwatch()
+        }
+    }
+    //  不马上执行watch回调，但建立依赖关系，并获取旧值
+    else {
+        oldValue = effectFn()
+    }
+
+    //  返回停止观察的函数
+    return unwatch
+}
+
+/**
+ * 将值转为响应式对象，原始值原样返回
+ * @param { any } value
+ * @returns { any }
+ */
+function toReactive(value) {
+    return typeof value === 'object' && value !== null ? reactive(value) : value
+}
+
+/**
+ * 判断一个值是否为ref
+ * @param { any } r
+ * @returns { boolean }
+ */
+function isRef(r) {
+    return !!(r && r.__v_isRef === true)
+}
+
+/**
+ * 创建一个ref，让原始值也能成为响应式数据
+ * @param { any } value 初始值，对象会被转为reactive对象
+ * @returns { TRef }
+ */
+function ref(value) {
+    return createRef(value, false)
+}
+
+/**
+ * 创建一个浅ref，只有.value的替换是响应式的
+ * @param { any } value 初始值，不会被转为reactive对象
+ * @returns { TRef }
+ */
+function shallowRef(value) {
+    return createRef(value, true)
+}
+
+/**
+ * 创建ref，ref 与 shallowRef 都由此函数创建
+ * @param { any } rawValue 初始值
+ * @param { boolean } isShallow 是否浅ref
+ * @returns { TRef }
+ */
+function createRef(rawValue, isShallow) {
+    //  已经是ref了，直接返回
+    if (isRef(rawValue)) {
+        return rawValue
+    }
+
+    //  ref持有的值，深ref会将对象转为reactive对象
+    let value = isShallow ? rawValue : toReactive(rawValue)
+
+    //  与计算属性一样，声明一个带有value访问器的对象
+    const r = {
+        get value() {
+            //  读取.value时，对ref对象的value属性进行依赖收集
+            track(r, 'value')
+            return value
+        },
+        set value(newVal) {
+            //  值没有变化，无需派发更新
+            if (!hasChanged(newVal, rawValue)) {
+                return
+            }
+
+            rawValue = newVal
+            value = isShallow ? newVal : toReactive(newVal)
+
+            //  设置.value时，执行value属性的副作用函数
+            trigger(r, 'value')
+        }
+    }
+
+    //  标记为ref，不可枚举，用于isRef判断
+    Object.defineProperty(r, '__v_isRef', {
+        value: true
+    })
+
+    return r
+}
+
+/**
+ * 获取ref的值，非ref原样返回
+ * @param { any } r
+ * @returns { any }
+ */
+function unref(r) {
+    return isRef(r) ? r.value : r
+}
+
+/**
+ * 为响应式对象的某个属性创建ref，读写.value即读写该属性，响应式联系不会丢失
+ * @param { Object } obj 响应式对象
+ * @param { string } key 属性
+ * @returns { TRef }
+ */
+function toRef(obj, key) {
+    //  属性本身就是ref，直接返回
+    const val = obj[key]
+    if (isRef(val)) {
+        return val
+    }
+
+    const r = {
+        get value() {
+            //  读取响应式对象的属性，依赖收集由响应式对象完成
+            return obj[key]
+        },
+        set value(newVal) {
+            //  设置响应式对象的属性，派发更新由响应式对象完成
+            obj[key] = newVal
+        }
+    }
+
+    Object.defineProperty(r, '__v_isRef', {
+        value: true
+    })
+
+    return r
+}
+
+/**
+ * 将响应式对象的每个属性都转为ref，解构后也不会丢失响应式
+ * @param { Object } obj 响应式对象
+ * @returns { Object }
+ */
+function toRefs(obj) {
+    const ret = Array.isArray(obj) ? new Array(obj.length) : {}
+    for (const key in obj) {
+        ret[key] = toRef(obj, key)
+    }
+
+    return ret
+}
@@ -0,0 +1,40 @@
+/**
+ * 依赖收集的性能测试
+ *
+ * 模拟一个读取大量属性的渲染副作用函数，每次执行读取的属性都是相同的，反复修改其中一个属性让它重新执行
+ *
+ * 分别在 benchmark.html（上一步：执行前全量清空依赖）与 index.html（本步：位标记）中执行，对比耗时
+ * @param { number } keyCount 副作用函数读取的属性数量
+ * @param { number } times 副作用函数重新执行的次数
+ * @returns { number } 耗时，单位毫秒
+ */
+function runBenchmark(keyCount = 1000, times = 1000) {
+    const raw = {}
+    for (let i = 0; i < keyCount; i++) {
+        raw[`key${ i }`] = i
+    }
+
+    const state = reactive(raw)
+    const keys = Object.keys(raw)
+
+    const runner = effect(() => {
+        let sum = 0
+        for (let i = 0; i < keys.length; i++) {
+            sum += state[keys[i]]
+        }
+        return sum
+    })
+
+    const start = performance.now()
+    for (let i = 0; i < times; i++) {
+        //  每次设置不同的值，保证副作用函数会重新执行
+        state.key0 = -i - 1
+    }
+    const cost = performance.now() - start
+
+    stop(runner)
+
+    console.info(`读取${ keyCount }个属性的副作用函数，重新执行${ times }次，耗时：${ cost.toFixed(2) }ms`)
+
+    return cost
+}
@@ -273,7 +273,7 @@ function watch(source, cb, options = {}) {
      */
     const job = () => {
         newValue = effectFn()
-        cb(oldValue, newValue)
+        cb(newValue, oldValue)
         oldValue = newValue
     }
 